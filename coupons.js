@@ -0,0 +1,79 @@
+const { toMoney } = require("./pricing");
+
+// 🎟️ Coupon rules for a priced cart → { discount, freeShipping } or { error }
+// (usage limits are checked against the DB separately)
+// placed: true → re-applying to an order already placed: judged as of
+// \`now\` (its createdAt), even if the coupon was switched off since
+const evaluateCoupon = (
+  coupon,
+  lines,
+  now = new Date(),
+  { placed = false } = {}
+) => {
+  if (!coupon.active && !placed) {
+    return { error: "This coupon is not active" };
+  }
+  if (coupon.startsAt && now < coupon.startsAt)
+    return { error: "This coupon is not valid yet" };
+  if (coupon.endsAt && now > coupon.endsAt)
+    return { error: "This coupon has expired" };
+
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  if (subtotal < (coupon.minOrderValue || 0)) {
+    return {
+      error: `Minimum order value for this coupon is ${coupon.minOrderValue}`,
+    };
+  }
+
+  // 🧴 Category / brand scope (empty = whole cart)
+  const categories = coupon.categories || [];
+  const brands = coupon.brands || [];
+  const eligible = lines.filter(
+    (line) =>
+      (!categories.length || categories.includes(line.category)) &&
+      (!brands.length || brands.includes(line.brand))
+  );
+
+  if (!eligible.length) {
+    return { error: "This coupon doesn't apply to the items in your cart" };
+  }
+
+  const eligibleSubtotal = eligible.reduce((sum, l) => sum + l.lineTotal, 0);
+  let discount = 0;
+
+  if (coupon.type === "percentage") {
+    discount = (eligibleSubtotal * coupon.value) / 100;
+    if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  } else if (coupon.type === "fixed") {
+    discount = Math.min(coupon.value, eligibleSubtotal);
+  } else if (coupon.type === "buy_x_get_y") {
+    // every (buy + get) units → the cheapest "get" units are free
+    const units = eligible.reduce((sum, line) => sum + line.quantity, 0);
+    const groupSize = coupon.buyQuantity + coupon.getQuantity;
+    const freeUnits = Math.floor(units / groupSize) * coupon.getQuantity;
+
+    if (!freeUnits) {
+      return {
+        error: `Add ${groupSize} eligible items to use this coupon`,
+      };
+    }
+
+    // cheapest lines first, as many of their units as are still free
+    let remaining = freeUnits;
+    for (const line of [...eligible].sort(
+      (a, b) => a.finalPrice - b.finalPrice
+    )) {
+      const free = Math.min(remaining, line.quantity);
+      discount += free * line.finalPrice;
+      remaining -= free;
+      if (!remaining) break;
+    }
+  }
+
+  return {
+    discount: toMoney(discount),
+    freeShipping: coupon.type === "free_shipping",
+  };
+};
+
+module.exports = { evaluateCoupon };
@@ -0,0 +1,88 @@
+// 🧮 Round money to 2 decimals
+const toMoney = (value) => Number((Number(value) || 0).toFixed(2));
+
+// 🧮 Server-side final price of one unit
+const getUnitPrice = (product) => {
+  const price = Number(product.price) || 0;
+  const discount = Number(product.discount) || 0;
+  return toMoney(Math.max(price - (price * discount) / 100, 0));
+};
+
+// 🔑 Cart line identity (same product, different shade = different line)
+const lineKey = (productId, variantId) => `${productId}:${variantId || ""}`;
+
+// 🚚 Shipping charge (free above FREE_SHIPPING_MIN when set)
+const getShippingCharge = (subtotal) => {
+  const freeMin = Number(process.env.FREE_SHIPPING_MIN);
+  if (freeMin && subtotal >= freeMin) return 0;
+  return toMoney(process.env.SHIPPING_CHARGE || 0);
+};
+
+// 🧾 Authoritative pricing breakdown for a priced cart
+const buildPricing = (lines, { shipping, discount = 0 } = {}) => {
+  const mrpTotal = toMoney(
+    lines.reduce((sum, line) => sum + line.price * line.quantity, 0)
+  );
+  const subtotal = toMoney(
+    lines.reduce((sum, line) => sum + line.lineTotal, 0)
+  );
+  const shippingCharge =
+    shipping == null ? getShippingCharge(subtotal) : toMoney(shipping);
+  const orderDiscount = Math.min(toMoney(discount), subtotal);
+
+  return {
+    mrpTotal,
+    itemDiscount: toMoney(mrpTotal - subtotal),
+    subtotal,
+    shipping: shippingCharge,
+    discount: orderDiscount,
+    total: toMoney(Math.max(subtotal + shippingCharge - orderDiscount, 0)),
+  };
+};
+
+// ✏️ The stored line an edited cart item leaves alone (same product,
+// variant and quantity) → kept as sold, with its purchase-time prices
+const findUnchangedLine = (lines = [], item) =>
+  lines.find(
+    (line) =>
+      lineKey(line.productId, line.variantId) ===
+        lineKey(item.productId || item._id, item.variantId) &&
+      Number(line.quantity) === Number(item.quantity)
+  );
+
+// ✏️ Pricing after an order edit: lines all kept and no new shipping /
+// discount → the stored pricing untouched; otherwise rebuilt from the lines
+// (shipping and discount default to what the order was charged)
+const buildEditedPricing = (order, lines, { shipping, discount } = {}) => {
+  const stored = order.pricing;
+  const storedLines = order.cartItems || [];
+  const keptAll =
+    lines.length === storedLines.length &&
+    lines.every((line) => storedLines.includes(line));
+  const same = (value, current) =>
+    value == null || toMoney(value) === toMoney(current);
+
+  if (
+    stored &&
+    keptAll &&
+    same(shipping, stored.shipping) &&
+    same(discount, stored.discount)
+  ) {
+    return stored;
+  }
+
+  return buildPricing(lines, {
+    shipping: shipping ?? stored?.shipping,
+    discount: discount ?? stored?.discount ?? 0,
+  });
+};
+
+module.exports = {
+  toMoney,
+  getUnitPrice,
+  lineKey,
+  getShippingCharge,
+  buildPricing,
+  findUnchangedLine,
+  buildEditedPricing,
+};
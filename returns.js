@@ -0,0 +1,105 @@
+const { toMoney, lineKey } = require("./pricing");
+
+// ↩️ Quantity already returned per order line (lineKey → quantity)
+const getReturnedQuantities = (order) => {
+  const returned = new Map();
+  for (const record of order.returns || []) {
+    for (const item of record.items) {
+      const key = lineKey(item.productId, item.variantId);
+      returned.set(key, (returned.get(key) || 0) + item.quantity);
+    }
+  }
+  return returned;
+};
+
+// ↩️ Requested return items → order lines with quantities, or { error }
+// (no items → everything not yet returned, back into stock)
+const buildReturnLines = (order, items = []) => {
+  const returned = getReturnedQuantities(order);
+  const remaining = (line) =>
+    Number(line.quantity) -
+    (returned.get(lineKey(line.productId, line.variantId)) || 0);
+
+  const requested = items.length
+    ? items
+    : order.cartItems
+        .filter((line) => remaining(line) > 0)
+        .map((line) => ({
+          productId: line.productId,
+          variantId: line.variantId,
+          quantity: remaining(line),
+          restock: true,
+        }));
+
+  if (!requested.length) return { error: "Nothing left to return" };
+
+  const lines = [];
+  for (const item of requested) {
+    const key = lineKey(item.productId, item.variantId);
+    const line = order.cartItems.find(
+      (l) => lineKey(l.productId, l.variantId) === key
+    );
+
+    if (!line) return { error: "Item is not part of this order" };
+
+    if (lines.some((l) => lineKey(l.productId, l.variantId) === key))
+      return { error: `${line.name} is listed more than once` };
+
+    if (item.quantity > remaining(line)) {
+      return {
+        error: `Only ${remaining(line)} of ${line.name} can be returned`,
+      };
+    }
+
+    lines.push({
+      productId: line.productId,
+      variantId: line.variantId || null,
+      name: line.name,
+      quantity: item.quantity,
+      finalPrice: Number(line.finalPrice) || 0,
+      restock: item.restock !== false,
+    });
+  }
+
+  // every unit back → the order is fully returned
+  const fullyReturned = order.cartItems.every((line) => {
+    const back = lines.find(
+      (l) =>
+        lineKey(l.productId, l.variantId) ===
+        lineKey(line.productId, line.variantId)
+    );
+    return remaining(line) - (back?.quantity || 0) <= 0;
+  });
+
+  return { lines, fullyReturned };
+};
+
+// 💸 Refund for returned lines: unit price paid, less their share of the
+// order-level discount; shipping only when asked (and only once)
+const computeRefund = (order, lines, refundShipping = false) => {
+  const pricing = order.pricing || {};
+  const items = toMoney(
+    lines.reduce((sum, l) => sum + l.finalPrice * l.quantity, 0)
+  );
+  const discount = pricing.subtotal
+    ? toMoney(((pricing.discount || 0) * items) / pricing.subtotal)
+    : 0;
+  const shippingRefunded = (order.returns || []).some(
+    (r) => r.refund.shipping > 0
+  );
+  const shipping =
+    refundShipping && !shippingRefunded ? toMoney(pricing.shipping || 0) : 0;
+
+  // never refund more than was paid
+  const refundable = toMoney(
+    (pricing.total ?? items + shipping) - (order.refundedTotal || 0)
+  );
+  const total = Math.max(
+    0,
+    Math.min(toMoney(items - discount + shipping), refundable)
+  );
+
+  return { items, discount, shipping, total };
+};
+
+module.exports = { getReturnedQuantities, buildReturnLines, computeRefund };
@@ -0,0 +1,176 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { evaluateCoupon } = require("../coupons");
+
+const line = (category, brand, quantity, finalPrice) => ({
+  category,
+  brand,
+  quantity,
+  finalPrice,
+  lineTotal: quantity * finalPrice,
+});
+
+// 2 × 500 skin care + 3 × 200 makeup = 1600
+const cart = [
+  line("skin", "Cosrx", 2, 500),
+  line("makeup", "Maybelline", 3, 200),
+];
+
+const coupon = (extra) => ({ active: true, value: 0, ...extra });
+
+test("inactive, early and expired coupons are refused", () => {
+  const now = new Date("2026-10-19T12:00:00Z");
+
+  assert.deepStrictEqual(
+    evaluateCoupon(coupon({ type: "fixed", active: false }), cart, now),
+    { error: "This coupon is not active" }
+  );
+  assert.deepStrictEqual(
+    evaluateCoupon(
+      coupon({ type: "fixed", startsAt: new Date("2026-10-20") }),
+      cart,
+      now
+    ),
+    { error: "This coupon is not valid yet" }
+  );
+  assert.deepStrictEqual(
+    evaluateCoupon(
+      coupon({ type: "fixed", endsAt: new Date("2026-10-18") }),
+      cart,
+      now
+    ),
+    { error: "This coupon has expired" }
+  );
+});
+
+test("minimum order value applies to the whole cart", () => {
+  assert.deepStrictEqual(
+    evaluateCoupon(coupon({ type: "fixed", minOrderValue: 2000 }), cart),
+    { error: "Minimum order value for this coupon is 2000" }
+  );
+});
+
+test("percentage is taken on eligible lines and capped", () => {
+  assert.deepStrictEqual(
+    evaluateCoupon(
+      coupon({ type: "percentage", value: 10, categories: ["skin"] }),
+      cart
+    ),
+    { discount: 100, freeShipping: false }
+  );
+  assert.strictEqual(
+    evaluateCoupon(
+      coupon({ type: "percentage", value: 50, maxDiscount: 300 }),
+      cart
+    ).discount,
+    300
+  );
+});
+
+test("fixed amount never exceeds the eligible subtotal", () => {
+  assert.strictEqual(
+    evaluateCoupon(
+      coupon({ type: "fixed", value: 1000, brands: ["Maybelline"] }),
+      cart
+    ).discount,
+    600
+  );
+});
+
+test("a coupon scoped away from the cart is refused", () => {
+  assert.deepStrictEqual(
+    evaluateCoupon(
+      coupon({ type: "fixed", value: 50, brands: ["Dior"] }),
+      cart
+    ),
+    { error: "This coupon doesn't apply to the items in your cart" }
+  );
+});
+
+test("free shipping carries no discount", () => {
+  assert.deepStrictEqual(
+    evaluateCoupon(coupon({ type: "free_shipping" }), cart),
+    {
+      discount: 0,
+      freeShipping: true,
+    }
+  );
+});
+
+test("buy x get y frees the cheapest units", () => {
+  // 5 units → one group of (2 + 1) → one 200 unit free
+  assert.strictEqual(
+    evaluateCoupon(
+      coupon({ type: "buy_x_get_y", buyQuantity: 2, getQuantity: 1 }),
+      cart
+    ).discount,
+    200
+  );
+
+  // 5 units → two groups of (1 + 1) → two 200 units free
+  assert.strictEqual(
+    evaluateCoupon(
+      coupon({ type: "buy_x_get_y", buyQuantity: 1, getQuantity: 1 }),
+      cart
+    ).discount,
+    400
+  );
+});
+
+test("buy x get y free units spill over to the next cheapest line", () => {
+  const small = [line("skin", "A", 1, 100), line("skin", "B", 5, 300)];
+
+  // 6 units → three groups of (1 + 1) → 100 + 300 + 300
+  assert.strictEqual(
+    evaluateCoupon(
+      coupon({ type: "buy_x_get_y", buyQuantity: 1, getQuantity: 1 }),
+      small
+    ).discount,
+    700
+  );
+});
+
+test("buy x get y needs a full group of eligible units", () => {
+  assert.deepStrictEqual(
+    evaluateCoupon(
+      coupon({
+        type: "buy_x_get_y",
+        buyQuantity: 2,
+        getQuantity: 1,
+        categories: ["skin"],
+      }),
+      cart
+    ),
+    { error: "Add 3 eligible items to use this coupon" }
+  );
+});
+
+test("buy x get y handles large quantities without expanding units", () => {
+  const bulk = [line("skin", "A", 1000, 10)];
+
+  assert.strictEqual(
+    evaluateCoupon(
+      coupon({ type: "buy_x_get_y", buyQuantity: 3, getQuantity: 1 }),
+      bulk
+    ).discount,
+    2500
+  );
+});
+
+test("an order edit re-applies the coupon as it stood at checkout", () => {
+  const placedAt = new Date("2026-10-01T12:00:00Z");
+  const ended = coupon({
+    type: "percentage",
+    value: 10,
+    active: false,
+    endsAt: new Date("2026-10-10"),
+  });
+
+  assert.deepStrictEqual(
+    evaluateCoupon(ended, cart, placedAt, { placed: true }),
+    { discount: 160, freeShipping: false }
+  );
+  assert.deepStrictEqual(evaluateCoupon(ended, cart, placedAt), {
+    error: "This coupon is not active",
+  });
+});
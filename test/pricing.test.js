@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  buildPricing,
+  findUnchangedLine,
+  buildEditedPricing,
+} = require("../pricing");
+
+// sold at 500 / 200; the catalog may have moved on since
+const soldLines = [
+  {
+    productId: "p1",
+    name: "Serum",
+    quantity: 2,
+    price: 550,
+    discount: 10,
+    finalPrice: 495,
+    lineTotal: 990,
+  },
+  {
+    productId: "p2",
+    variantId: "v1",
+    name: "Lipstick",
+    quantity: 3,
+    price: 200,
+    discount: 0,
+    finalPrice: 200,
+    lineTotal: 600,
+  },
+];
+
+const makeOrder = () => ({
+  cartItems: soldLines,
+  pricing: buildPricing(soldLines, { shipping: 60, discount: 159 }),
+});
+
+// what PUT /orders/:id does with each edited item
+const editLines = (order, items, priceItem) =>
+  items.map(
+    (item) => findUnchangedLine(order.cartItems, item) || priceItem(item)
+  );
+
+test("an address-only edit keeps the stored pricing as is", () => {
+  const order = makeOrder();
+  const before = JSON.stringify(order.pricing);
+
+  // the back office sends the cart back with its own pricing view
+  const items = order.cartItems.map(({ productId, variantId, quantity }) => ({
+    productId,
+    variantId,
+    quantity,
+  }));
+  const lines = editLines(order, items, () =>
+    assert.fail("unchanged lines must not be re-priced")
+  );
+  const pricing = buildEditedPricing(order, lines, {
+    shipping: order.pricing.shipping,
+    discount: order.pricing.discount,
+  });
+
+  assert.deepStrictEqual(lines, order.cartItems);
+  assert.strictEqual(JSON.stringify(pricing), before);
+});
+
+test("only added or changed lines are priced again", () => {
+  const order = makeOrder();
+  const repriced = [];
+  const priceItem = (item) => {
+    repriced.push(item.productId);
+    return { ...item, price: 600, finalPrice: 600, lineTotal: 600 };
+  };
+
+  const lines = editLines(
+    order,
+    [
+      { productId: "p1", quantity: 2 },
+      { productId: "p2", variantId: "v1", quantity: 1 },
+    ],
+    priceItem
+  );
+
+  assert.deepStrictEqual(repriced, ["p2"]);
+  assert.strictEqual(lines[0], order.cartItems[0]);
+
+  // rebuilt, but with the shipping and discount the order was charged
+  const pricing = buildEditedPricing(order, lines);
+  assert.strictEqual(pricing.subtotal, 1590);
+  assert.strictEqual(pricing.shipping, 60);
+  assert.strictEqual(pricing.discount, 159);
+  assert.strictEqual(pricing.total, 1491);
+});
+
+test("a removed line or a new discount rebuilds the pricing", () => {
+  const order = makeOrder();
+
+  const fewer = buildEditedPricing(order, [order.cartItems[0]]);
+  assert.strictEqual(fewer.subtotal, 990);
+
+  const discounted = buildEditedPricing(order, order.cartItems, {
+    discount: 100,
+  });
+  assert.strictEqual(discounted.total, 1550);
+});
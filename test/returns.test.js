@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildReturnLines, computeRefund } = require("../returns");
+
+// 2 × 500 + 3 × 200 = 1600, 10% order discount, 60 shipping → 1500 paid
+const makeOrder = (extra = {}) => ({
+  cartItems: [
+    { productId: "p1", name: "Serum", quantity: 2, finalPrice: 500 },
+    {
+      productId: "p2",
+      variantId: "v1",
+      name: "Lipstick",
+      quantity: 3,
+      finalPrice: 200,
+    },
+  ],
+  pricing: { subtotal: 1600, discount: 160, shipping: 60, total: 1500 },
+  ...extra,
+});
+
+// a stored return record, as PATCH /orders/return/:id saves it
+const returned = (lines, refund) => ({
+  items: lines.map(({ productId, variantId, quantity }) => ({
+    productId,
+    variantId,
+    quantity,
+  })),
+  refund,
+});
+
+test("no items → every remaining unit comes back", () => {
+  const { lines, fullyReturned } = buildReturnLines(makeOrder());
+
+  assert.deepStrictEqual(
+    lines.map((l) => [l.productId, l.quantity, l.restock]),
+    [
+      ["p1", 2, true],
+      ["p2", 3, true],
+    ]
+  );
+  assert.strictEqual(fullyReturned, true);
+});
+
+test("a partial return leaves the order open", () => {
+  const { lines, fullyReturned } = buildReturnLines(makeOrder(), [
+    { productId: "p2", variantId: "v1", quantity: 1, restock: false },
+  ]);
+
+  assert.strictEqual(lines.length, 1);
+  assert.strictEqual(lines[0].quantity, 1);
+  assert.strictEqual(lines[0].restock, false);
+  assert.strictEqual(fullyReturned, false);
+});
+
+test("earlier returns count against what is left", () => {
+  const order = makeOrder({
+    returns: [
+      returned([{ productId: "p2", variantId: "v1", quantity: 2 }], {
+        shipping: 0,
+      }),
+    ],
+  });
+
+  assert.deepStrictEqual(
+    buildReturnLines(order, [
+      { productId: "p2", variantId: "v1", quantity: 2 },
+    ]),
+    { error: "Only 1 of Lipstick can be returned" }
+  );
+
+  const { lines, fullyReturned } = buildReturnLines(order);
+  assert.deepStrictEqual(
+    lines.map((l) => [l.productId, l.quantity]),
+    [
+      ["p1", 2],
+      ["p2", 1],
+    ]
+  );
+  assert.strictEqual(fullyReturned, true);
+});
+
+test("unknown, repeated and exhausted lines are rejected", () => {
+  const order = makeOrder();
+
+  assert.deepStrictEqual(
+    buildReturnLines(order, [{ productId: "p2", quantity: 1 }]),
+    { error: "Item is not part of this order" }
+  );
+  assert.deepStrictEqual(
+    buildReturnLines(order, [
+      { productId: "p1", quantity: 1 },
+      { productId: "p1", quantity: 1 },
+    ]),
+    { error: "Serum is listed more than once" }
+  );
+
+  const { lines } = buildReturnLines(order);
+  assert.deepStrictEqual(
+    buildReturnLines(makeOrder({ returns: [returned(lines, {})] })),
+    { error: "Nothing left to return" }
+  );
+});
+
+test("refund takes the line's share of the order discount", () => {
+  const { lines } = buildReturnLines(makeOrder(), [
+    { productId: "p1", quantity: 1 },
+  ]);
+
+  assert.deepStrictEqual(computeRefund(makeOrder(), lines), {
+    items: 500,
+    discount: 50,
+    shipping: 0,
+    total: 450,
+  });
+});
+
+test("shipping is refunded only once", () => {
+  const order = makeOrder();
+  const { lines } = buildReturnLines(order, [{ productId: "p1", quantity: 1 }]);
+
+  const first = computeRefund(order, lines, true);
+  assert.strictEqual(first.shipping, 60);
+  assert.strictEqual(first.total, 510);
+
+  const again = makeOrder({
+    returns: [returned(lines, first)],
+    refundedTotal: first.total,
+  });
+  const second = computeRefund(again, lines, true);
+  assert.strictEqual(second.shipping, 0);
+  assert.strictEqual(second.total, 450);
+});
+
+test("refund never exceeds what is left of the payment", () => {
+  const order = makeOrder({ refundedTotal: 1400 });
+  const { lines } = buildReturnLines(order, [
+    { productId: "p2", variantId: "v1", quantity: 3 },
+  ]);
+
+  assert.strictEqual(computeRefund(order, lines).total, 100);
+});
+
+test("repeated partial returns add up to the amount paid", () => {
+  let order = makeOrder();
+  let refunded = 0;
+
+  for (const [item, refundShipping] of [
+    [{ productId: "p1", quantity: 2 }, true],
+    [{ productId: "p2", variantId: "v1", quantity: 1 }, true],
+    [{ productId: "p2", variantId: "v1", quantity: 2 }, false],
+  ]) {
+    const { lines } = buildReturnLines(order, [item]);
+    const refund = computeRefund(order, lines, refundShipping);
+    refunded += refund.total;
+    order = {
+      ...order,
+      returns: [...(order.returns || []), returned(lines, refund)],
+      refundedTotal: refunded,
+    };
+  }
+
+  assert.strictEqual(refunded, 1500);
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { checkFields, validateBody } = require("../validation");
+
+const itemsSchema = {
+  cartItems: {
+    type: "array",
+    required: true,
+    items: {
+      type: "object",
+      fields: {
+        productId: { type: "objectId", required: true },
+        quantity: { type: "number", integer: true, min: 1, required: true },
+      },
+    },
+  },
+};
+
+test("null list entries are a validation error, not a crash", () => {
+  const errors = [];
+  checkFields(itemsSchema, { cartItems: [null] }, errors);
+
+  assert.deepStrictEqual(errors, [
+    { field: "cartItems[0]", message: "cartItems[0] must be an object" },
+  ]);
+});
+
+test("lists and dates are not objects", () => {
+  const errors = [];
+  checkFields(itemsSchema, { cartItems: [[], new Date()] }, errors);
+
+  assert.deepStrictEqual(
+    errors.map((e) => e.field),
+    ["cartItems[0]", "cartItems[1]"]
+  );
+});
+
+test("valid entries pass through cleaned", () => {
+  const errors = [];
+  const value = checkFields(
+    itemsSchema,
+    {
+      cartItems: [
+        { productId: "64b7f0c2a1b2c3d4e5f60718", quantity: "2", extra: 1 },
+      ],
+    },
+    errors
+  );
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(value, {
+    cartItems: [{ productId: "64b7f0c2a1b2c3d4e5f60718", quantity: 2 }],
+  });
+});
+
+test("validateBody answers 400 for a non-object body", () => {
+  let status;
+  let sent;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json(body) {
+      sent = body;
+    },
+  };
+
+  validateBody(itemsSchema)({ body: [null] }, res, () =>
+    assert.fail("next should not be called")
+  );
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(sent.success, false);
+});
@@ -0,0 +1,198 @@
+const { ObjectId } = require("mongodb");
+
+// 🧪 Only {...} literals count as objects (not null, lists, dates, ...)
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+// 🧪 Check one value against its rule → cleaned value (errors collected)
+const checkValue = (rule, value, field, errors) => {
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string" && typeof value !== "number") {
+        errors.push({ field, message: `${field} must be a string` });
+        return;
+      }
+      // trim: false keeps the value as typed (passwords)
+      const str = rule.trim === false ? String(value) : String(value).trim();
+      if (rule.required && !str) {
+        errors.push({ field, message: `${field} is required` });
+      } else if (rule.enum && !rule.enum.includes(str)) {
+        errors.push({
+          field,
+          message: `${field} must be one of: ${rule.enum.join(", ")}`,
+        });
+      } else if (rule.maxLength && str.length > rule.maxLength) {
+        errors.push({
+          field,
+          message: `${field} must be at most ${rule.maxLength} characters`,
+        });
+      }
+      return str;
+    }
+
+    case "number": {
+      const num = typeof value === "string" ? Number(value.trim()) : value;
+      if (typeof num !== "number" || !Number.isFinite(num)) {
+        errors.push({ field, message: `${field} must be a number` });
+      } else if (rule.integer && !Number.isInteger(num)) {
+        errors.push({ field, message: `${field} must be a whole number` });
+      } else if (rule.min != null && num < rule.min) {
+        errors.push({
+          field,
+          message: `${field} must be at least ${rule.min}`,
+        });
+      } else if (rule.max != null && num > rule.max) {
+        errors.push({ field, message: `${field} must be at most ${rule.max}` });
+      }
+      return num;
+    }
+
+    case "boolean": {
+      if (value === true || value === "true") return true;
+      if (value === false || value === "false") return false;
+      errors.push({ field, message: `${field} must be true or false` });
+      return;
+    }
+
+    case "date": {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        errors.push({ field, message: `${field} must be a valid date` });
+        return;
+      }
+      return date;
+    }
+
+    case "objectId": {
+      if (!ObjectId.isValid(value)) {
+        errors.push({ field, message: `${field} must be a valid ID` });
+      }
+      return String(value);
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) {
+        errors.push({ field, message: `${field} must be a list` });
+        return;
+      }
+      // compact → drop empty entries (e.g. blank description lines)
+      const list = rule.compact
+        ? value.filter((v) => v != null && String(v).trim() !== "")
+        : value;
+      if (rule.minItems && list.length < rule.minItems) {
+        errors.push({
+          field,
+          message: `${field} must have at least ${rule.minItems} item(s)`,
+        });
+      }
+      return list.map((item, i) =>
+        checkValue(rule.items, item, `${field}[${i}]`, errors)
+      );
+    }
+
+    case "object": {
+      if (!isPlainObject(value)) {
+        errors.push({ field, message: `${field} must be an object` });
+        return;
+      }
+      return checkFields(rule.fields, value, errors, { prefix: field });
+    }
+
+    // free-form { key: "text" } (e.g. variant attributes)
+    case "map": {
+      if (!isPlainObject(value)) {
+        errors.push({ field, message: `${field} must be an object` });
+        return;
+      }
+      const map = {};
+      for (const [key, text] of Object.entries(value)) {
+        if (text == null || String(text).trim() === "") continue;
+        map[key.trim()] = String(text).trim();
+      }
+      return map;
+    }
+
+    default:
+      return value;
+  }
+};
+
+// 🧪 Check an object against a schema; unknown keys are dropped
+// partial → nothing is required and no defaults are filled (updates)
+const checkFields = (
+  schema,
+  input = {},
+  errors,
+  { partial = false, prefix = "" } = {}
+) => {
+  const output = {};
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const value = input[key];
+
+    // nullable → an explicit null clears the field (e.g. back to top level)
+    if (value === null && rule.nullable) {
+      output[key] = null;
+      continue;
+    }
+
+    const missing =
+      value === undefined ||
+      value === null ||
+      (value === "" && rule.type !== "string");
+
+    // requiredUnless → optional when that sibling list is non-empty
+    const excused =
+      rule.requiredUnless &&
+      Array.isArray(input[rule.requiredUnless]) &&
+      input[rule.requiredUnless].length > 0;
+
+    if (missing) {
+      if (partial) continue;
+      if (rule.required && !excused) {
+        errors.push({ field, message: `${field} is required` });
+      } else if (rule.default !== undefined) {
+        output[key] = Array.isArray(rule.default) ? [] : rule.default;
+      }
+      continue;
+    }
+
+    const cleaned = checkValue(rule, value, field, errors);
+    if (cleaned !== undefined) output[key] = cleaned;
+  }
+
+  return output;
+};
+
+// 🧪 Middleware: validate + strip req.body against a schema
+const validateBody =
+  (schema, options = {}) =>
+  (req, res, next) => {
+    const errors = [];
+    const body = req.body ?? {};
+
+    if (!isPlainObject(body)) {
+      return res.status(400).json({
+        success: false,
+        message: "Request body must be a JSON object",
+      });
+    }
+
+    const value = checkFields(schema, body, errors, options);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+
+module.exports = { isPlainObject, checkValue, checkFields, validateBody };